@@ -12,14 +12,50 @@
  *   --dry-run         Show what would be written without writing
  *   --verbose         Show detailed output
  *   --no-clean        Skip cleaning TypeScript build cache
+ *   --watch           Re-tangle whenever the org files change
+ *   --detangle        Copy edits made in generated files back into the org files
+ *   --report          Write the operator conformance matrix to the output directory
+ *   --strict          With --report, fail when a cell complete in the baseline regresses
+ *   --baseline <file> Conformance baseline for --strict (default: conformance.json)
+ *   --update-baseline With --report, replace the baseline with the new report
+ *   --source-maps     Write a v3 source map next to every target
  * 
- * After tangling, this script automatically removes tsconfig.tsbuildinfo files
- * to force a full TypeScript recheck. This prevents CI/local discrepancies
+ * Targets whose generated content matches the file on disk are not rewritten.
+ * When at least one file was written, this script removes tsconfig.tsbuildinfo
+ * files to force a full TypeScript recheck. This prevents CI/local discrepancies
  * caused by stale incremental build caches.
+ *
+ * In watch mode, only the org files that changed are re-parsed, and only the
+ * targets whose blocks (or the noweb blocks they include) changed are regenerated.
+ *
+ * Each run records a hash of every block body it generated in .tangle-manifest.json.
+ * Detangling uses it to tell which side of a block changed since the last tangle:
+ * edits made only in a generated file are written back into its #+begin_src block,
+ * edits made on both sides are reported as conflicts, and blocks that include
+ * noweb references are refused because their expansion cannot be split back up.
+ *
+ * The conformance report lists, for every operator heading (one containing
+ * =name= markup), which languages have an implementation and tests and which
+ * are marked TODO. It is written as conformance.json and conformance.md in the
+ * output directory. The baseline is a separate, committed conformance.json at
+ * the repository root, so fresh checkouts and CI have it: with --strict, any cell
+ * that is complete there and is not any more fails the run, and so does a
+ * missing baseline. Only --update-baseline rewrites it, so accepting a drop in
+ * coverage is always a deliberate, reviewable change. The baseline keeps only each
+ * cell's status: source lines and targets change with unrelated edits to the org
+ * file and would turn every update into noise.
+ *
+ * With --source-maps, every target gets a <target>.map file mapping each
+ * generated line back to its org line, and targets with // or /* comments get a
+ * sourceMappingURL comment so that tools which honour it (Vite, vitest, Node's
+ * --enable-source-maps) report index.org positions. Maps are opt-in because the
+ * publish workflow copies tangled directories verbatim and the maps point back
+ * to an org file that target repositories do not have.
  */
 
-import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync, statSync, unlinkSync } from 'fs';
-import { dirname, join, resolve, relative } from 'path';
+import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync, statSync, unlinkSync, watch } from 'fs';
+import { dirname, join, resolve, relative, basename, sep } from 'path';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -46,6 +82,13 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
  * @property {SourceBlock[]} blocks - Blocks contributing to this file
  */
 
+/**
+ * @typedef {Object} SourceOrigin
+ * @property {string} sourcePath - Org file the line came from
+ * @property {number} line - Zero-based org line
+ * @property {number} generatedColumn - Column the org line starts at in the generated line
+ */
+
 // ============================================================================
 // Parser
 // ============================================================================
@@ -261,13 +304,20 @@ function buildBlockIndex(blocks) {
  * @param {Map<string, SourceBlock[]>} blockIndex - Named blocks index
  * @param {Set<string>} visited - Already visited blocks (cycle detection)
  * @param {string} indent - Current indentation
+ * @param {(SourceOrigin|null)[] | null} origins - Receives the origin of each output line
+ * @param {{ sourcePath: string, firstLine: number } | null} origin - Org position of the content's first line
  * @returns {string}
  */
-function expandNoweb(content, blockIndex, visited = new Set(), indent = '') {
+function expandNoweb(content, blockIndex, visited = new Set(), indent = '', origins = null, origin = null) {
   const lines = content.split('\n');
   const result = [];
+  const track = (lineIndex, column) => {
+    if (origins) {
+      origins.push(origin && { sourcePath: origin.sourcePath, line: origin.firstLine + lineIndex, generatedColumn: column });
+    }
+  };
   
-  for (const line of lines) {
+  for (const [lineIndex, line] of lines.entries()) {
     const nowebMatch = line.match(/^(\s*)<<([^>]+)>>(.*)$/);
     
     if (nowebMatch) {
@@ -276,6 +326,7 @@ function expandNoweb(content, blockIndex, visited = new Set(), indent = '') {
       
       if (visited.has(refName)) {
         result.push(`${totalIndent}/* ERROR: Circular reference to ${refName} */${trailing}`);
+        track(lineIndex, totalIndent.length);
         continue;
       }
       
@@ -283,6 +334,7 @@ function expandNoweb(content, blockIndex, visited = new Set(), indent = '') {
       if (!referencedBlocks || referencedBlocks.length === 0) {
         // Leave unresolved references intact (like the shipped tangler)
         result.push(`${totalIndent}<<${refName}>>${trailing}`);
+        track(lineIndex, totalIndent.length);
         continue;
       }
       
@@ -290,7 +342,8 @@ function expandNoweb(content, blockIndex, visited = new Set(), indent = '') {
       visited.add(refName);
       for (let i = 0; i < referencedBlocks.length; i++) {
         const block = referencedBlocks[i];
-        const expanded = expandNoweb(block.content, blockIndex, visited, totalIndent);
+        const expanded = expandNoweb(block.content, blockIndex, visited, totalIndent, origins,
+          { sourcePath: block.sourcePath, firstLine: block.contentStartLine });
         // expandNoweb already applied totalIndent, so just split and add to result
         const expandedLines = expanded.split('\n');
         result.push(...expandedLines);
@@ -299,6 +352,7 @@ function expandNoweb(content, blockIndex, visited = new Set(), indent = '') {
         // (except after the last block)
         if (i < referencedBlocks.length - 1) {
           result.push('');
+          if (origins) origins.push(null);
         }
       }
       visited.delete(refName);
@@ -308,6 +362,7 @@ function expandNoweb(content, blockIndex, visited = new Set(), indent = '') {
       }
     } else {
       result.push(indent + line);
+      track(lineIndex, indent.length);
     }
   }
   
@@ -448,10 +503,20 @@ function groupByTarget(blocks, baseDir) {
  * @param {SourceBlock[]} blocks - Blocks for this target
  * @param {Map<string, SourceBlock[]>} blockIndex - All named blocks
  * @param {string} targetPath - The target file path
+ * @param {Object} [output] - Extra results to collect
+ * @param {string[]} [output.bodies] - Receives the generated body of each block
+ * @param {(SourceOrigin|null)[]} [output.origins] - Receives the org origin of each generated line
+ * @param {string} [output.sourceMapName] - Source map file to reference from a sourceMappingURL comment
  * @returns {string}
  */
-function generateContent(blocks, blockIndex, targetPath) {
+function generateContent(blocks, blockIndex, targetPath, output = {}) {
+  const { bodies = [], origins = null, sourceMapName } = output;
   const parts = [];
+  const push = (line, origin = null) => {
+    parts.push(line);
+    if (origins) origins.push(origin);
+  };
+  const at = (block, line) => ({ sourcePath: block.sourcePath, line, generatedColumn: 0 });
   
   // Determine file type to decide comment style
   const isJson = targetPath.endsWith('.json');
@@ -470,16 +535,21 @@ function generateContent(blocks, blockIndex, targetPath) {
   // 1. From :shebang header arg (org-mode standard)
   // 2. From first line of content (if it starts with #!)
   let shebang = null;
+  let shebangOrigin = null;
+  let strippedBlock = null;
   for (const block of blocks) {
     // Check header arg first
     if (block.headerArgs.shebang) {
       shebang = block.headerArgs.shebang;
+      shebangOrigin = at(block, block.startLine);
       break;
     }
     // Check content
     const firstLine = block.content.split('\n')[0];
     if (firstLine && firstLine.startsWith('#!')) {
       shebang = firstLine;
+      shebangOrigin = at(block, block.contentStartLine);
+      strippedBlock = block;
       // Remove shebang from block content so we don't duplicate it
       block.content = block.content.substring(firstLine.length + 1);
       break;
@@ -488,40 +558,623 @@ function generateContent(blocks, blockIndex, targetPath) {
   
   // Add shebang first if present
   if (shebang) {
-    parts.push(shebang);
+    push(shebang, shebangOrigin);
   }
   
   // Add header comment (unless skipping comments)
   const commentPrefix = getCommentPrefix(targetPath);
   const commentSuffix = getCommentSuffix(targetPath);
   if (!skipComments && commentPrefix) {
-    parts.push(`${commentPrefix} This file is auto-generated by organjsm tangle. Do not edit directly.${commentSuffix}`);
+    push(`${commentPrefix} This file is auto-generated by organjsm tangle. Do not edit directly.${commentSuffix}`);
     const relativeSources = [...new Set(blocks.map(b => relative(process.cwd(), b.sourcePath)))];
-    parts.push(`${commentPrefix} Source: ${relativeSources.join(', ')}${commentSuffix}`);
-    parts.push('');
+    push(`${commentPrefix} Source: ${relativeSources.join(', ')}${commentSuffix}`);
+    push('');
   }
   
   for (const block of blocks) {
     // Add source link comment (unless skipping comments)
     if (!skipComments && commentPrefix) {
       const relativePath = relative(process.cwd(), block.sourcePath);
-      parts.push(`${commentPrefix} [[file:${relativePath}::${block.startLine + 1}]]${commentSuffix}`);
+      push(`${commentPrefix} [[file:${relativePath}::${block.startLine + 1}]]${commentSuffix}`, at(block, block.startLine));
     }
     
     // Expand noweb references (but not for .org files - preserve them literally as test data)
-    const expanded = isOrg ? block.content : expandNoweb(block.content, blockIndex);
+    const firstLine = block.contentStartLine + (block === strippedBlock ? 1 : 0);
+    const bodyOrigins = origins && [];
+    const expanded = isOrg
+      ? block.content
+      : expandNoweb(block.content, blockIndex, new Set(), '', bodyOrigins, { sourcePath: block.sourcePath, firstLine });
     parts.push(expanded);
+    bodies.push(expanded);
+    if (origins) {
+      origins.push(...(isOrg ? expanded.split('\n').map((_, i) => at(block, firstLine + i)) : bodyOrigins));
+    }
     
     // Add footer comment (unless skipping comments)
     if (!skipComments && commentPrefix) {
-      parts.push(`${commentPrefix} ${block.name || 'unnamed'} ends here${commentSuffix}`);
-      parts.push('');
+      push(`${commentPrefix} ${block.name || 'unnamed'} ends here${commentSuffix}`, at(block, block.endLine));
+      push('');
     }
   }
   
+  // Point tools that read JS-style sourceMappingURL comments at the map
+  if (sourceMapName && !skipComments && (commentPrefix === '//' || commentPrefix === '/*')) {
+    push(`${commentPrefix}# sourceMappingURL=${sourceMapName}${commentSuffix}`);
+    push('');
+  }
+  
   return parts.join('\n');
 }
 
+// ============================================================================
+// Source Maps
+// ============================================================================
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode an integer as a source map base64 VLQ
+ * @param {number} value
+ * @returns {string}
+ */
+function encodeVlq(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    encoded += BASE64_DIGITS[digit];
+  } while (vlq > 0);
+  return encoded;
+}
+
+/**
+ * Build a v3 source map from the org origin of each generated line.
+ * Org lines escaped with a leading comma start one column later in the org file.
+ * @param {string} targetPath - The target file path
+ * @param {(SourceOrigin|null)[]} origins - Origin of each generated line
+ * @returns {Object}
+ */
+function buildSourceMap(targetPath, origins) {
+  const mapDir = dirname(targetPath);
+  const sources = [];
+  const sourceIndex = new Map();
+  const sourceLines = new Map();
+  let previousSource = 0;
+  let previousLine = 0;
+  let previousColumn = 0;
+  
+  const segment = (generatedColumn, source, line, column) => {
+    const encoded = encodeVlq(generatedColumn) + encodeVlq(source - previousSource) +
+      encodeVlq(line - previousLine) + encodeVlq(column - previousColumn);
+    previousSource = source;
+    previousLine = line;
+    previousColumn = column;
+    return encoded;
+  };
+  
+  const mappings = origins.map(origin => {
+    if (!origin) return '';
+    if (!sourceIndex.has(origin.sourcePath)) {
+      sourceIndex.set(origin.sourcePath, sources.length);
+      sources.push(relative(mapDir, resolve(origin.sourcePath)).split(sep).join('/'));
+      sourceLines.set(origin.sourcePath, readFileSync(origin.sourcePath, 'utf-8').replace(/\r\n?/g, '\n').split('\n'));
+    }
+    const source = sourceIndex.get(origin.sourcePath);
+    const column = sourceLines.get(origin.sourcePath)[origin.line]?.startsWith(',') ? 1 : 0;
+    // Map the noweb indentation too, so that line-only lookups (column 0) still resolve
+    const segments = [segment(0, source, origin.line, column)];
+    if (origin.generatedColumn > 0) segments.push(segment(origin.generatedColumn, source, origin.line, column));
+    return segments.join(',');
+  });
+  
+  return { version: 3, file: basename(targetPath), sources, names: [], mappings: mappings.join(';') };
+}
+
+/**
+ * Fingerprint everything that contributes to a target's content: its blocks,
+ * their positions (used in link comments) and, recursively, the blocks they
+ * include through noweb references.
+ * @param {SourceBlock[]} blocks - Blocks for this target
+ * @param {Map<string, SourceBlock[]>} blockIndex - All named blocks
+ * @param {string} targetPath - The target file path
+ * @returns {string}
+ */
+function fingerprintTarget(blocks, blockIndex, targetPath) {
+  const hash = createHash('sha1');
+  const seen = new Set();
+  
+  const addBlock = (block) => {
+    hash.update(JSON.stringify([
+      block.sourcePath, block.startLine, block.name, block.headerArgs, block.content,
+    ]));
+    for (const match of block.content.matchAll(/^\s*<<([^>]+)>>/gm)) {
+      const refName = match[1];
+      if (seen.has(refName)) continue;
+      seen.add(refName);
+      hash.update(`<<${refName}>>`);
+      for (const referenced of blockIndex.get(refName) || []) {
+        addBlock(referenced);
+      }
+    }
+  };
+  
+  hash.update(targetPath);
+  for (const block of blocks) {
+    addBlock(block);
+  }
+  return hash.digest('hex');
+}
+
+// ============================================================================
+// Manifest
+// ============================================================================
+
+const MANIFEST_FILE = '.tangle-manifest.json';
+
+/**
+ * @typedef {Object} TangleManifest
+ * @property {number} version - Manifest format version
+ * @property {Object<string, string[]>} targets - Body hashes of each target's blocks, in order
+ */
+
+/**
+ * Hash a generated block body
+ * @param {string} body
+ * @returns {string}
+ */
+function hashBody(body) {
+  return createHash('sha1').update(body).digest('hex');
+}
+
+/**
+ * Read the manifest left by the last tangle, or an empty one
+ * @returns {TangleManifest}
+ */
+function readManifest() {
+  try {
+    const manifest = JSON.parse(readFileSync(MANIFEST_FILE, 'utf-8'));
+    if (manifest.version === 1 && manifest.targets) return manifest;
+  } catch (e) {
+    // Missing or unreadable: start afresh
+  }
+  return { version: 1, targets: {} };
+}
+
+/**
+ * Write the manifest unless it is unchanged on disk
+ * @param {TangleManifest} manifest
+ */
+function writeManifest(manifest) {
+  const json = JSON.stringify(manifest, null, 2) + '\n';
+  if (existsSync(MANIFEST_FILE) && readFileSync(MANIFEST_FILE, 'utf-8') === json) return;
+  writeFileSync(MANIFEST_FILE, json, 'utf-8');
+}
+
+// ============================================================================
+// Detangling
+// ============================================================================
+
+/**
+ * Escape a regular expression literal
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a generated file into the bodies between its link comments and footers
+ * @param {string} content - Generated file content
+ * @param {string} targetPath - The target file path
+ * @returns {{ link: string, body: string }[] | null} null when the file has no markers
+ */
+function parseGeneratedFile(content, targetPath) {
+  const prefix = escapeRegExp(getCommentPrefix(targetPath));
+  const suffix = escapeRegExp(getCommentSuffix(targetPath));
+  const linkRegex = new RegExp(`^${prefix} \\[\\[file:(.+::\\d+)\\]\\]${suffix}$`);
+  const footerRegex = new RegExp(`^${prefix} .+ ends here${suffix}$`);
+  
+  const segments = [];
+  let current = null;
+  for (const line of content.replace(/\r\n/g, '\n').split('\n')) {
+    if (current === null) {
+      const linkMatch = line.match(linkRegex);
+      if (linkMatch) current = { link: linkMatch[1], lines: [] };
+    } else if (footerRegex.test(line)) {
+      segments.push({ link: current.link, body: current.lines.join('\n') });
+      current = null;
+    } else {
+      current.lines.push(line);
+    }
+  }
+  return segments.length > 0 ? segments : null;
+}
+
+/**
+ * Escape block content for an org source block: lines that org would read as
+ * headings or directives (and lines already starting with a comma) get a comma
+ * @param {string} line
+ * @returns {string}
+ */
+function escapeOrgLine(line) {
+  return /^(\*|#\+|,)/.test(line) ? ',' + line : line;
+}
+
+/**
+ * Whether a block includes other blocks through noweb references
+ * @param {SourceBlock} block
+ * @param {Map<string, SourceBlock[]>} blockIndex
+ * @returns {boolean}
+ */
+function usesNoweb(block, blockIndex) {
+  for (const match of block.content.matchAll(/^\s*<<([^>]+)>>/gm)) {
+    if (blockIndex.has(match[1])) return true;
+  }
+  return false;
+}
+
+/**
+ * Copy edits made in generated files back into the org blocks they came from
+ * @param {string[]} orgFiles - Org files the targets were tangled from
+ * @param {{ dryRun: boolean, verbose: boolean }} options
+ * @returns {number} Number of blocks that were conflicting or refused
+ */
+function detangle(orgFiles, options) {
+  const { dryRun, verbose } = options;
+  const state = { files: new Map(), fingerprints: new Map() };
+  const allBlocks = loadBlocks(orgFiles, state, verbose);
+  const blockIndex = buildBlockIndex(allBlocks);
+  const targets = groupByTarget(allBlocks, process.cwd());
+  const manifest = readManifest();
+  
+  /** @type {Map<string, { block: SourceBlock, lines: string[] }[]>} */
+  const edits = new Map();
+  const problems = [];
+  let inSync = 0;
+  
+  for (const [targetPath, blocks] of targets) {
+    const relativePath = relative(process.cwd(), targetPath);
+    if (!existsSync(targetPath)) continue;
+    const segments = parseGeneratedFile(readFileSync(targetPath, 'utf-8'), targetPath);
+    if (segments === null) {
+      if (verbose) console.log(`No block markers: ${relativePath}`);
+      continue;
+    }
+    if (segments.length !== blocks.length) {
+      problems.push(`${relativePath}: has ${segments.length} blocks but the org source has ${blocks.length}; tangle again before editing it`);
+      continue;
+    }
+    
+    // Generate from copies so shebang handling matches a real tangle without touching the blocks
+    const copies = blocks.map(block => ({ ...block }));
+    const expected = [];
+    generateContent(copies, blockIndex, targetPath, { bodies: expected });
+    const baseHashes = manifest.targets[relativePath] || [];
+    
+    segments.forEach(({ link, body }, i) => {
+      const block = blocks[i];
+      const where = `${relativePath} block ${link} (${block.name || 'unnamed'})`;
+      if (body === expected[i]) {
+        inSync++;
+        return;
+      }
+      
+      const base = baseHashes[i];
+      if (base === hashBody(body)) {
+        // Only the org block changed; tangling will bring the file up to date
+        if (verbose) console.log(`Org side newer: ${where}`);
+        return;
+      }
+      if (base === undefined) {
+        problems.push(`${where}: no record of the last tangle, so it cannot tell which side changed`);
+        return;
+      }
+      if (base !== hashBody(expected[i])) {
+        problems.push(`${where}: conflict, changed in both the generated file and the org file`);
+        return;
+      }
+      if (usesNoweb(block, blockIndex)) {
+        problems.push(`${where}: refused, the block is assembled from noweb references; edit the org file instead`);
+        return;
+      }
+      
+      const lines = body === '' ? [] : body.split('\n');
+      // A shebang moved out of the block content by the tangler goes back in front of it
+      if (copies[i].content !== block.content) lines.unshift(block.content.split('\n')[0]);
+      if (!edits.has(block.sourcePath)) edits.set(block.sourcePath, []);
+      edits.get(block.sourcePath).push({ block, lines: lines.map(escapeOrgLine) });
+      baseHashes[i] = hashBody(body);
+      console.log(`${dryRun ? 'Would detangle' : 'Detangled'}: ${where}`);
+    });
+  }
+  
+  let detangled = 0;
+  for (const [orgFile, fileEdits] of edits) {
+    const original = readFileSync(orgFile, 'utf-8');
+    const eol = original.includes('\r\n') ? '\r\n' : '\n';
+    const lines = original.replace(/\r\n/g, '\n').split('\n');
+    // Splice from the bottom up so earlier line numbers stay valid
+    fileEdits.sort((a, b) => b.block.startLine - a.block.startLine);
+    for (const { block, lines: replacement } of fileEdits) {
+      lines.splice(block.contentStartLine, block.endLine - block.contentStartLine, ...replacement);
+      detangled++;
+    }
+    if (!dryRun) writeFileSync(orgFile, lines.join(eol), 'utf-8');
+  }
+  
+  for (const problem of problems) {
+    console.error(problem);
+  }
+  console.log(`${dryRun ? 'Would detangle' : 'Detangled'} ${detangled} blocks (${inSync} in sync, ${problems.length} not detangled)`);
+  if (detangled > 0 && !dryRun) {
+    writeManifest(manifest);
+    console.log('Tangle again to refresh the line numbers in link comments.');
+  }
+  return problems.length;
+}
+
+// ============================================================================
+// Conformance Report
+// ============================================================================
+
+/**
+ * Report languages, keyed by the word used in "<Language> Implementation" headings
+ */
+const REPORT_LANGUAGES = {
+  typescript: 'typescript', python: 'python', rust: 'rust', kotlin: 'kotlin',
+  'c♯': 'csharp', 'c#': 'csharp', 'f♯': 'fsharp', 'f#': 'fsharp', swift: 'swift',
+};
+
+/**
+ * @typedef {Object} Heading
+ * @property {number} level - Number of stars
+ * @property {boolean} todo - Whether the heading has a TODO keyword
+ * @property {string} title - Title without stars or keyword
+ * @property {number} line - Zero-based line number
+ * @property {SourceBlock[]} blocks - Source blocks directly in this heading's section
+ * @property {Heading[]} children - Subheadings
+ */
+
+/**
+ * @typedef {Object} ConformanceCell
+ * @property {boolean} impl - Has an implementation with tangled code
+ * @property {boolean} tests - Has a Tests section with tangled code
+ * @property {boolean} todo - The implementation or its tests are marked TODO
+ * @property {'complete'|'untested'|'todo'|'missing'} status
+ * @property {string[]} targets - Tangle targets and noweb references of its blocks
+ */
+
+/**
+ * @typedef {Object} ConformanceReport
+ * @property {number} version - Report format version
+ * @property {string[]} languages - Language columns
+ * @property {{ name: string, source: string, cells: Object<string, ConformanceCell> }[]} operators
+ */
+
+/**
+ * The committed subset of a conformance report that --strict compares against
+ * @typedef {Object} ConformanceBaseline
+ * @property {number} version - Report format version
+ * @property {string[]} languages - Language columns
+ * @property {{ name: string, cells: Object<string, string> }[]} operators - Status of each cell
+ */
+
+/**
+ * Build the heading tree of an org file, attaching each source block to the
+ * section it appears in. Lines inside blocks are never headings.
+ * @param {string} content - File content
+ * @param {SourceBlock[]} blocks - Blocks extracted from the file
+ * @returns {Heading[]} Top-level headings
+ */
+function parseHeadings(content, blocks) {
+  const lines = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+  const insideBlock = new Set();
+  for (const block of blocks) {
+    for (let i = block.startLine; i <= block.endLine; i++) insideBlock.add(i);
+  }
+  
+  const roots = [];
+  const stack = [];
+  const headings = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (insideBlock.has(i)) continue;
+    const match = lines[i].match(/^(\*+)\s+(?:(TODO|DONE)\s+)?(.*?)\s*$/);
+    if (!match) continue;
+    const heading = {
+      level: match[1].length, todo: match[2] === 'TODO', title: match[3], line: i, blocks: [], children: [],
+    };
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) stack.pop();
+    (stack.length > 0 ? stack[stack.length - 1].children : roots).push(heading);
+    stack.push(heading);
+    headings.push(heading);
+  }
+  
+  // Attach each block to the last heading before it
+  let h = -1;
+  for (const block of [...blocks].sort((a, b) => a.startLine - b.startLine)) {
+    while (h + 1 < headings.length && headings[h + 1].line < block.startLine) h++;
+    if (h >= 0) headings[h].blocks.push(block);
+  }
+  return roots;
+}
+
+/**
+ * Tangle targets and noweb references of blocks that produce code
+ * @param {SourceBlock[]} blocks
+ * @returns {string[]}
+ */
+function blockTargets(blocks) {
+  const targets = new Set();
+  for (const block of blocks) {
+    const nowebRef = block.headerArgs['noweb-ref'] || block.headerArgs.nowebRef;
+    const tangle = block.headerArgs.tangle;
+    if (nowebRef) targets.add(`<<${nowebRef}>>`);
+    else if (tangle && tangle !== 'no' && tangle !== true && tangle !== 'yes') targets.add(tangle);
+    else if (tangle === true || tangle === 'yes') targets.add(relative(process.cwd(), block.sourcePath));
+  }
+  return [...targets];
+}
+
+/**
+ * Build the operator × language conformance matrix from the org files
+ * @param {string[]} orgFiles
+ * @returns {ConformanceReport}
+ */
+function buildConformanceReport(orgFiles) {
+  const languages = [...new Set(Object.values(REPORT_LANGUAGES))];
+  const operators = [];
+  
+  const visit = (heading, sourcePath) => {
+    const names = [...heading.title.matchAll(/=([^=]+)=/g)].map(m => m[1]);
+    const cells = {};
+    for (const child of heading.children) {
+      const implMatch = child.title.match(/^(\S+) Implementation$/i);
+      const language = implMatch && REPORT_LANGUAGES[implMatch[1].toLowerCase()];
+      if (!language) continue;
+      
+      const testSections = child.children.filter(c => /^Tests$/i.test(c.title));
+      const implTargets = blockTargets(child.blocks);
+      const testTargets = blockTargets(testSections.flatMap(c => c.todo ? [] : c.blocks));
+      const impl = !child.todo && implTargets.length > 0;
+      const tests = testTargets.length > 0;
+      const todo = child.todo || testSections.some(c => c.todo);
+      const status = todo ? 'todo' : impl && tests ? 'complete' : impl ? 'untested' : 'missing';
+      cells[language] = { impl, tests, todo, status, targets: [...new Set([...implTargets, ...testTargets])] };
+    }
+    
+    if (names.length > 0 && Object.keys(cells).length > 0) {
+      for (const language of languages) {
+        cells[language] ??= { impl: false, tests: false, todo: false, status: 'missing', targets: [] };
+      }
+      operators.push({
+        name: names.join(' / '),
+        source: `${relative(process.cwd(), sourcePath)}:${heading.line + 1}`,
+        cells: Object.fromEntries(languages.map(language => [language, cells[language]])),
+      });
+    }
+    for (const child of heading.children) visit(child, sourcePath);
+  };
+  
+  for (const file of orgFiles) {
+    const content = readFileSync(file, 'utf-8');
+    const blocks = extractBlocks(content, file, extractFileProperties(content));
+    for (const heading of parseHeadings(content, blocks)) visit(heading, file);
+  }
+  
+  return { version: 1, languages, operators };
+}
+
+/**
+ * Render the conformance matrix as a Markdown table
+ * @param {ConformanceReport} report
+ * @returns {string}
+ */
+function renderConformanceMarkdown(report) {
+  const symbols = { complete: '✓', untested: 'no tests', todo: 'TODO', missing: '' };
+  const lines = [
+    '# Operator Conformance',
+    '',
+    '✓ implemented and tested · "no tests" implemented only · TODO marked as to do · blank missing',
+    '',
+    `| Operator | ${report.languages.join(' | ')} |`,
+    `| --- | ${report.languages.map(() => ':---:').join(' | ')} |`,
+  ];
+  for (const operator of report.operators) {
+    const cells = report.languages.map(language => symbols[operator.cells[language].status]);
+    lines.push(`| \`${operator.name}\` | ${cells.join(' | ')} |`);
+  }
+  const totals = report.languages.map(language =>
+    `${report.operators.filter(o => o.cells[language].status === 'complete').length}/${report.operators.length}`);
+  lines.push(`| **Complete** | ${totals.join(' | ')} |`, '');
+  return lines.join('\n');
+}
+
+/**
+ * Reduce a conformance report to the cell statuses the baseline records
+ * @param {ConformanceReport} report
+ * @returns {ConformanceBaseline}
+ */
+function conformanceBaseline(report) {
+  return {
+    version: report.version,
+    languages: report.languages,
+    operators: report.operators.map(({ name, cells }) => ({
+      name,
+      cells: Object.fromEntries(Object.entries(cells).map(([language, cell]) => [language, cell.status])),
+    })),
+  };
+}
+
+/**
+ * List the cells that were complete in the baseline and are not any more
+ * @param {ConformanceBaseline} baseline
+ * @param {ConformanceReport} report
+ * @returns {string[]}
+ */
+function findConformanceRegressions(baseline, report) {
+  const current = new Map(report.operators.map(o => [o.name, o]));
+  const regressions = [];
+  for (const previous of baseline.operators || []) {
+    for (const [language, status] of Object.entries(previous.cells)) {
+      if (status !== 'complete') continue;
+      const now = current.get(previous.name)?.cells[language];
+      if (now?.status !== 'complete') {
+        regressions.push(`${previous.name} (${language}): complete -> ${now ? now.status : 'operator removed'}`);
+      }
+    }
+  }
+  return regressions;
+}
+
+/**
+ * Write the conformance report, failing in strict mode on regressions against the baseline
+ * @param {string[]} orgFiles - Org files to report on
+ * @param {{ outDir: string, strict: boolean, baselinePath: string, updateBaseline: boolean }} options
+ * @returns {number} Number of regressions found in strict mode, or 1 if the baseline is missing
+ *   or the report would overwrite it
+ */
+function report(orgFiles, options) {
+  const { outDir, strict, baselinePath, updateBaseline } = options;
+  const jsonPath = join(outDir, 'conformance.json');
+  const markdownPath = join(outDir, 'conformance.md');
+  const conformance = buildConformanceReport(orgFiles);
+  const json = JSON.stringify(conformance, null, 2) + '\n';
+  
+  if (resolve(jsonPath) === resolve(baselinePath)) {
+    console.error(`The report ${jsonPath} would overwrite the baseline ${baselinePath}; use another --out-dir or --baseline`);
+    return 1;
+  }
+  
+  if (strict) {
+    if (!existsSync(baselinePath)) {
+      console.error(`No conformance baseline at ${baselinePath}; create it with --report --update-baseline and commit it`);
+      return 1;
+    }
+    const regressions = findConformanceRegressions(JSON.parse(readFileSync(baselinePath, 'utf-8')), conformance);
+    if (regressions.length > 0) {
+      console.error(`${regressions.length} conformance regression(s) against ${baselinePath}:`);
+      for (const regression of regressions) console.error(`  ${regression}`);
+      return regressions.length;
+    }
+  }
+  
+  if (!existsSync(outDir)) {
+    mkdirSync(outDir, { recursive: true });
+  }
+  writeFileSync(jsonPath, json, 'utf-8');
+  writeFileSync(markdownPath, renderConformanceMarkdown(conformance), 'utf-8');
+  console.log(`Wrote conformance report for ${conformance.operators.length} operators to ${jsonPath} and ${markdownPath}`);
+  
+  if (updateBaseline) {
+    writeFileSync(baselinePath, JSON.stringify(conformanceBaseline(conformance), null, 2) + '\n', 'utf-8');
+    console.log(`Updated conformance baseline ${baselinePath}`);
+  }
+  return 0;
+}
+
 // ============================================================================
 // CLI
 // ============================================================================
@@ -585,62 +1238,59 @@ function cleanTsBuildInfo(dir, verbose) {
   }
 }
 
-async function main() {
-  const args = process.argv.slice(2);
-  
-  // Parse options
-  let outDir = 'dist';
-  let dryRun = false;
-  let verbose = false;
-  let cleanCache = true;
-  const files = [];
-  
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--out-dir' && args[i + 1]) {
-      outDir = args[i + 1];
-      i++;
-    } else if (args[i] === '--dry-run') {
-      dryRun = true;
-    } else if (args[i] === '--verbose') {
-      verbose = true;
-    } else if (args[i] === '--no-clean') {
-      cleanCache = false;
-    } else if (!args[i].startsWith('-')) {
-      files.push(args[i]);
-    }
-  }
-  
-  // Default to all .org files in literate-refactor directory
-  let orgFiles = files;
-  if (orgFiles.length === 0) {
-    orgFiles = findOrgFiles(__dirname);
-  }
-  
-  if (orgFiles.length === 0) {
-    console.log('No .org files found');
-    process.exit(1);
-  }
-  
-  console.log(`Processing ${orgFiles.length} org files...`);
-  
-  // Extract all blocks from all files
+/**
+ * @typedef {Object} TangleState
+ * @property {Map<string, { content: string, blocks: SourceBlock[] }>} files - Parsed org files by path
+ * @property {Map<string, string>} fingerprints - Target fingerprints from the previous run
+ * @property {TangleManifest} [manifest] - Block body hashes from the previous run
+ */
+
+/**
+ * Parse the org files, reusing the blocks of files whose content is unchanged
+ * @param {string[]} orgFiles - Org files to read
+ * @param {TangleState} state - State carried between runs
+ * @param {boolean} verbose - Show detailed output
+ * @returns {SourceBlock[]}
+ */
+function loadBlocks(orgFiles, state, verbose) {
   const allBlocks = [];
   
   for (const file of orgFiles) {
     try {
       const content = readFileSync(file, 'utf-8');
-      const fileProps = extractFileProperties(content);
-      const blocks = extractBlocks(content, file, fileProps);
-      allBlocks.push(...blocks);
-      
-      if (verbose) {
-        console.log(`  ${relative(process.cwd(), file)}: ${blocks.length} blocks`);
+      let cached = state.files.get(file);
+      if (!cached || cached.content !== content) {
+        const fileProps = extractFileProperties(content);
+        cached = { content, blocks: extractBlocks(content, file, fileProps) };
+        state.files.set(file, cached);
+        
+        if (verbose) {
+          console.log(`  ${relative(process.cwd(), file)}: ${cached.blocks.length} blocks`);
+        }
       }
+      // generateContent may strip shebangs from block content, so hand out copies
+      allBlocks.push(...cached.blocks.map(block => ({ ...block })));
     } catch (err) {
+      state.files.delete(file);
       console.error(`Error reading ${file}: ${err.message}`);
     }
   }
   
+  return allBlocks;
+}
+
+/**
+ * Tangle the org files once, writing only targets whose content changed
+ * @param {string[]} orgFiles - Org files to tangle
+ * @param {{ outDir: string, dryRun: boolean, verbose: boolean, cleanCache: boolean, sourceMaps: boolean }} options
+ * @param {TangleState} state - State carried between runs
+ * @returns {number} Number of files written
+ */
+function tangle(orgFiles, options, state) {
+  const { outDir, dryRun, verbose, cleanCache, sourceMaps } = options;
+  
+  // Extract all blocks from all files
+  const allBlocks = loadBlocks(orgFiles, state, verbose);
   console.log(`Found ${allBlocks.length} source blocks`);
   
   // Build block index for noweb expansion
@@ -651,11 +1301,42 @@ async function main() {
   const targets = groupByTarget(allBlocks, process.cwd());
   console.log(`Tangle targets: ${targets.size}`);
   
-  // Generate and write each target
+  // Generate and write each target whose inputs changed
   let written = 0;
+  let unchanged = 0;
+  const fingerprints = new Map();
+  const previousManifest = state.manifest || readManifest();
+  const manifest = { version: 1, targets: {} };
   for (const [targetPath, blocks] of targets) {
-    const content = generateContent(blocks, blockIndex, targetPath);
     const relativePath = relative(process.cwd(), targetPath);
+    const fingerprint = fingerprintTarget(blocks, blockIndex, targetPath);
+    fingerprints.set(targetPath, fingerprint);
+    if (state.fingerprints.get(targetPath) === fingerprint && existsSync(targetPath)) {
+      manifest.targets[relativePath] = previousManifest.targets[relativePath] || [];
+      unchanged++;
+      continue;
+    }
+    
+    const bodies = [];
+    const origins = sourceMaps ? [] : null;
+    const sourceMapName = sourceMaps ? `${basename(targetPath)}.map` : undefined;
+    const content = generateContent(blocks, blockIndex, targetPath, { bodies, origins, sourceMapName });
+    manifest.targets[relativePath] = bodies.map(hashBody);
+    if (sourceMaps && !dryRun) {
+      const mapJson = JSON.stringify(buildSourceMap(targetPath, origins)) + '\n';
+      const mapPath = `${targetPath}.map`;
+      if (!existsSync(mapPath) || readFileSync(mapPath, 'utf-8') !== mapJson) {
+        mkdirSync(dirname(mapPath), { recursive: true });
+        writeFileSync(mapPath, mapJson, 'utf-8');
+      }
+    }
+    if (existsSync(targetPath) && readFileSync(targetPath, 'utf-8') === content) {
+      if (verbose) {
+        console.log(`Unchanged: ${relativePath}`);
+      }
+      unchanged++;
+      continue;
+    }
     
     if (dryRun) {
       console.log(`Would write: ${relativePath} (${content.length} bytes, ${blocks.length} blocks)`);
@@ -673,13 +1354,143 @@ async function main() {
   }
   
   if (!dryRun) {
-    console.log(`Wrote ${written} files`);
+    // Dry runs write nothing, so remembering their fingerprints would skip real writes later
+    state.fingerprints = fingerprints;
+    state.manifest = manifest;
+    writeManifest(manifest);
+    console.log(`Wrote ${written} files (${unchanged} unchanged)`);
     
-    // Clean TypeScript build cache to force full recheck on next build
-    if (cleanCache) {
+    // Clean TypeScript build cache to force full recheck on next build,
+    // but keep it when no generated file changed
+    if (cleanCache && written > 0) {
       cleanTsBuildInfo(outDir, verbose);
     }
   }
+  
+  return written;
+}
+
+/**
+ * Re-tangle whenever one of the org files changes.
+ * Directories are watched rather than files so that editors which save by
+ * replacing the file are still noticed.
+ * @param {string[]} orgFiles - Org files to watch
+ * @param {{ outDir: string, dryRun: boolean, verbose: boolean, cleanCache: boolean, sourceMaps: boolean }} options
+ * @param {TangleState} state - State carried between runs
+ */
+function watchOrgFiles(orgFiles, options, state) {
+  const watched = new Map();
+  for (const file of orgFiles) {
+    const dir = dirname(resolve(file));
+    if (!watched.has(dir)) watched.set(dir, new Set());
+    watched.get(dir).add(basename(file));
+  }
+  
+  let timer = null;
+  const schedule = () => {
+    clearTimeout(timer);
+    // Editors often write a file in several steps; wait for them to settle
+    timer = setTimeout(() => {
+      const started = Date.now();
+      try {
+        tangle(orgFiles, options, state);
+        console.log(`Re-tangled in ${Date.now() - started}ms`);
+      } catch (err) {
+        console.error(err);
+      }
+    }, 100);
+  };
+  
+  for (const [dir, names] of watched) {
+    watch(dir, (eventType, filename) => {
+      if (filename && names.has(basename(filename.toString()))) schedule();
+    });
+  }
+  console.log(`Watching ${orgFiles.length} org files for changes...`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  let outDir = 'dist';
+  let dryRun = false;
+  let verbose = false;
+  let cleanCache = true;
+  let watchMode = false;
+  let detangleMode = false;
+  let reportMode = false;
+  let strict = false;
+  let baselinePath = 'conformance.json';
+  let updateBaseline = false;
+  let sourceMaps = false;
+  const files = [];
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out-dir' && args[i + 1]) {
+      outDir = args[i + 1];
+      i++;
+    } else if (args[i] === '--dry-run') {
+      dryRun = true;
+    } else if (args[i] === '--verbose') {
+      verbose = true;
+    } else if (args[i] === '--no-clean') {
+      cleanCache = false;
+    } else if (args[i] === '--watch') {
+      watchMode = true;
+    } else if (args[i] === '--detangle') {
+      detangleMode = true;
+    } else if (args[i] === '--report') {
+      reportMode = true;
+    } else if (args[i] === '--strict') {
+      strict = true;
+    } else if (args[i] === '--baseline' && args[i + 1]) {
+      baselinePath = args[i + 1];
+      i++;
+    } else if (args[i] === '--update-baseline') {
+      updateBaseline = true;
+    } else if (args[i] === '--source-maps') {
+      sourceMaps = true;
+    } else if (!args[i].startsWith('-')) {
+      files.push(args[i]);
+    }
+  }
+  
+  if (!reportMode && (strict || updateBaseline)) {
+    console.error(`${strict ? '--strict' : '--update-baseline'} only applies with --report`);
+    process.exit(1);
+  }
+  
+  // Default to all .org files in literate-refactor directory
+  let orgFiles = files;
+  if (orgFiles.length === 0) {
+    orgFiles = findOrgFiles(__dirname);
+  }
+  
+  if (orgFiles.length === 0) {
+    console.log('No .org files found');
+    process.exit(1);
+  }
+  
+  console.log(`Processing ${orgFiles.length} org files...`);
+  
+  const options = { outDir, dryRun, verbose, cleanCache, sourceMaps };
+  if (reportMode) {
+    const regressions = report(orgFiles, { outDir, strict, baselinePath, updateBaseline });
+    process.exit(regressions > 0 ? 1 : 0);
+  }
+  if (detangleMode) {
+    const problems = detangle(orgFiles, options);
+    process.exit(problems > 0 ? 1 : 0);
+  }
+  
+  /** @type {TangleState} */
+  const state = { files: new Map(), fingerprints: new Map() };
+  tangle(orgFiles, options, state);
+  
+  if (watchMode) {
+    watchOrgFiles(orgFiles, options, state);
+  }
 }
 
 main().catch(err => {